@@ -0,0 +1,67 @@
+// Compares the throughput of the previous per-chunk binary string decryption with the current in-place one.
+// Usage: node bench/decrypt.js [megabytes = 16]. Run with --openssl-legacy-provider to measure Node's native Blowfish
+const blowfish = require("blowfish-js"),
+	{ createHash, randomBytes } = require("crypto"),
+	{ decryptBuffer, encryptBuffer, getTrackKey } = require("../src/crypto");
+
+const SNG_ID = "3135556",
+	size = Number(process.argv[2] ?? 16) * 1024 * 1024,
+	encrypted = encryptBuffer(SNG_ID, randomBytes(size));
+
+// The implementation `decryptBuffer` replaced, kept as the baseline
+function decryptLegacy(sngId, buffer) {
+	const md5 = createHash("md5").update(sngId).digest("hex"),
+		blowfishKey = blowfish.key(
+			Array(16)
+				.fill(0)
+				.reduce((acc, _, i) => acc + String.fromCharCode(md5.charCodeAt(i) ^ md5.charCodeAt(i + 16) ^ "g4el58wc0zvf9na1".charCodeAt(i)), "")
+		),
+		decryptedBuffer = Buffer.alloc(buffer.length);
+
+	let i = 0,
+		position = 0;
+
+	while (position < buffer.length) {
+		const chunkSize = Math.min(2048, buffer.length - position);
+
+		let chunk = Buffer.alloc(chunkSize);
+		buffer.copy(chunk, 0, position, position + chunkSize);
+
+		chunk =
+			i % 3 || chunkSize < 2048
+				? chunk.toString("binary")
+				: blowfish.cbc(blowfishKey, Buffer.from([0, 1, 2, 3, 4, 5, 6, 7]), chunk, true).toString("binary");
+
+		decryptedBuffer.write(chunk, position, chunk.length, "binary");
+
+		position += chunkSize;
+		i++;
+	}
+
+	return decryptedBuffer;
+}
+
+function run(name, decrypt) {
+	decrypt(SNG_ID, encrypted.subarray(0, 1024 * 1024));
+
+	const start = process.hrtime.bigint(),
+		output = decrypt(SNG_ID, encrypted),
+		seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+	console.log(`${name.padEnd(8)} ${(size / 1024 / 1024 / seconds).toFixed(1).padStart(8)} MB/s`);
+	return output;
+}
+
+let native = false;
+
+try {
+	require("crypto").createDecipheriv("bf-cbc", getTrackKey(SNG_ID), Buffer.alloc(8));
+	native = true;
+} catch {}
+
+console.log(`Decrypting ${size / 1024 / 1024} MB with ${native ? "Node's native" : "blowfish-js"} Blowfish`);
+
+const legacy = run("legacy", decryptLegacy),
+	current = run("current", decryptBuffer);
+
+if (!legacy.equals(current)) throw new Error("The outputs differ.");
@@ -0,0 +1,144 @@
+const { Agent: HttpAgent, request: httpRequest } = require("http"),
+	{ Agent: HttpsAgent, request: httpsRequest } = require("https"),
+	{ connect: netConnect, isIP } = require("net"),
+	{ once } = require("events"),
+	{ lookup } = require("dns/promises"),
+	{ DeezerHTTPError, DeezerTimeoutError } = require("./errors");
+
+const PROXY_PROTOCOLS = ["http:", "https:", "socks5:", "socks5h:"],
+	DEFAULT_PORTS = { "http:": 80, "https:": 443, "socks5:": 1080, "socks5h:": 1080 };
+
+/**
+ * Creates the agents requests are sent with.
+ * @param {Object} options The agent options
+ * @param {boolean} options.keepAlive Whether sockets are kept open between requests
+ * @param {string} [options.proxy] The URL of the HTTP, HTTPS or SOCKS5 proxy every connection goes through
+ * @param {number} [options.connectTimeout = 0] The time in milliseconds for opening a tunnel through the proxy, or 0 for no limit
+ * @returns {{ http: HttpAgent, https: HttpsAgent }} The agents for each protocol
+ */
+function createAgents({ keepAlive, proxy, connectTimeout = 0 }) {
+	if (!proxy) return { http: new HttpAgent({ keepAlive }), https: new HttpsAgent({ keepAlive }) };
+
+	const url = new URL(proxy);
+	if (!PROXY_PROTOCOLS.includes(url.protocol)) throw new TypeError(`\`proxy\` must be a ${PROXY_PROTOCOLS.join(", ")} URL.`);
+
+	// The HTTP agent uses the tunnel as is, while the HTTPS one starts TLS over it
+	const createProxyAgent = Base =>
+		new (class extends Base {
+			createConnection(options, callback) {
+				// Requests waiting for the tunnel cannot stop it, so it is bounded on its own
+				connectThroughProxy(url, options, connectTimeout).then(
+					socket => callback(null, Base === HttpsAgent ? super.createConnection({ ...options, socket }) : socket),
+					callback
+				);
+			}
+		})({ keepAlive });
+
+	return { http: createProxyAgent(HttpAgent), https: createProxyAgent(HttpsAgent) };
+}
+
+// Resolves with a socket tunnelled to the request's host through the proxy
+async function connectThroughProxy(proxy, { host, port }, timeout) {
+	const signal = timeout ? AbortSignal.timeout(timeout) : undefined;
+
+	try {
+		return await (proxy.protocol.startsWith("socks") ? connectThroughSocks : connectThroughHTTP)(proxy, host, Number(port), signal);
+	} catch (error) {
+		if (signal?.aborted) throw new DeezerTimeoutError(`Could not open a tunnel to ${host}:${port} through the proxy within ${timeout}ms.`, "connect", timeout);
+		throw error;
+	}
+}
+
+async function connectThroughHTTP(proxy, host, port, signal) {
+	const authority = `${isIP(host) === 6 ? `[${host}]` : host}:${port}`,
+		req = (proxy.protocol === "https:" ? httpsRequest : httpRequest)({
+			host: proxy.hostname.replace(/^\[|\]$/g, ""),
+			port: proxy.port || DEFAULT_PORTS[proxy.protocol],
+			method: "CONNECT",
+			path: authority,
+			agent: false,
+			headers: { host: authority, ...(proxy.username && { "proxy-authorization": `Basic ${encodeCredentials(proxy)}` }) }
+		}).end();
+
+	const [res, socket] = await once(req, "connect", { signal }).catch(error => {
+		req.destroy();
+		throw error;
+	});
+
+	if (res.statusCode !== 200) {
+		socket.destroy();
+		throw new DeezerHTTPError(`The proxy refused to connect to ${authority} with status ${res.statusCode}.`, res.statusCode, "", { headers: res.headers });
+	}
+
+	return socket;
+}
+
+async function connectThroughSocks(proxy, host, port, signal) {
+	// socks5h: URLs leave resolving the host to the proxy
+	if (proxy.protocol === "socks5:" && !isIP(host)) ({ address: host } = await lookup(host));
+
+	const socket = netConnect(proxy.port || DEFAULT_PORTS[proxy.protocol], proxy.hostname.replace(/^\[|\]$/g, ""));
+
+	try {
+		await once(socket, "connect", { signal });
+
+		const username = Buffer.from(decodeURIComponent(proxy.username)),
+			password = Buffer.from(decodeURIComponent(proxy.password));
+
+		// Username and password authentication is only offered if the URL has credentials
+		socket.write(Buffer.from(proxy.username ? [5, 2, 0, 2] : [5, 1, 0]));
+		const [, method] = await readSocket(socket, signal, 2);
+
+		if (method === 2) {
+			socket.write(Buffer.concat([Buffer.from([1, username.length]), username, Buffer.from([password.length]), password]));
+			if ((await readSocket(socket, signal, 2))[1] !== 0) throw new Error("The SOCKS proxy rejected the credentials.");
+		} else if (method !== 0) throw new Error("The SOCKS proxy requires an unsupported authentication method.");
+
+		const type = isIP(host),
+			address =
+				type === 4
+					? Buffer.from([1, ...host.split(".").map(Number)])
+					: type === 6
+						? Buffer.concat([Buffer.from([4]), expandIPv6(host)])
+						: Buffer.concat([Buffer.from([3, Buffer.byteLength(host)]), Buffer.from(host)]);
+
+		socket.write(Buffer.concat([Buffer.from([5, 1, 0]), address, Buffer.from([port >> 8, port & 0xff])]));
+
+		const [, reply, , addressType] = await readSocket(socket, signal, 4);
+		if (reply !== 0) throw new Error(`The SOCKS proxy refused to connect to ${host}:${port} with reply code ${reply}.`);
+
+		// The bound address and port that follow are of no use
+		await readSocket(socket, signal, (addressType === 1 ? 4 : addressType === 4 ? 16 : (await readSocket(socket, signal, 1))[0]) + 2);
+
+		return socket;
+	} catch (error) {
+		socket.destroy();
+		throw error;
+	}
+}
+
+// Reads exactly `length` bytes from a socket in paused mode
+async function readSocket(socket, signal, length) {
+	for (;;) {
+		const chunk = socket.read(length);
+		if (chunk) return chunk;
+
+		if (socket.readableEnded) throw new Error("The proxy closed the connection.");
+		await once(socket, "readable", { signal });
+	}
+}
+
+function encodeCredentials({ username, password }) {
+	return Buffer.from(`${decodeURIComponent(username)}:${decodeURIComponent(password)}`).toString("base64");
+}
+
+function expandIPv6(host) {
+	const [head, tail = ""] = host.split("::"),
+		headGroups = head ? head.split(":") : [],
+		tailGroups = tail ? tail.split(":") : [],
+		groups = host.includes("::") ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill("0"), ...tailGroups] : headGroups;
+
+	return Buffer.from(groups.flatMap(group => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff]));
+}
+
+module.exports = { createAgents };
@@ -0,0 +1,65 @@
+/**
+ * @typedef {Object} CacheStore Where cached responses are kept. Implement it to use another storage, such as Redis or files
+ * @property {function(string): Promise.<*>} get Reads a cached value, or undefined or null if there is none or it has expired
+ * @property {function(string, *, number): Promise.<void>} set Caches a JSON-serializable value for a time to live in milliseconds
+ * @property {function(): Promise.<void>} [clear] Removes every cached value
+ */
+
+/**
+ * A cache store that keeps values in memory, evicting the least recently used ones once it is full.
+ */
+class MemoryCache {
+	#maxEntries;
+	#entries = new Map();
+
+	/**
+	 * Constructs the MemoryCache class.
+	 * @param {number} [maxEntries = 500] The maximum number of cached values
+	 */
+	constructor(maxEntries = 500) {
+		if (!Number.isInteger(maxEntries) || maxEntries < 1) throw new TypeError("`maxEntries` must be a positive integer.");
+		this.#maxEntries = maxEntries;
+	}
+
+	/**
+	 * Reads a cached value.
+	 * @param {string} key The key
+	 * @returns {Promise.<*>} A copy of the value, or undefined if there is none or it has expired
+	 */
+	async get(key) {
+		const entry = this.#entries.get(key);
+		if (!entry) return undefined;
+
+		this.#entries.delete(key);
+		if (entry.expiresAt <= Date.now()) return undefined;
+
+		// Reinserting the entry makes it the most recently used one
+		this.#entries.set(key, entry);
+		return structuredClone(entry.value);
+	}
+
+	/**
+	 * Caches a value, replacing the previous one.
+	 * @param {string} key The key
+	 * @param {*} value The value, which is copied
+	 * @param {number} ttl The time to live in milliseconds
+	 * @returns {Promise.<void>}
+	 */
+	async set(key, value, ttl) {
+		this.#entries.delete(key);
+		this.#entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttl });
+
+		// Maps iterate in insertion order, so the first key is the least recently used one
+		while (this.#entries.size > this.#maxEntries) this.#entries.delete(this.#entries.keys().next().value);
+	}
+
+	/**
+	 * Removes every cached value.
+	 * @returns {Promise.<void>}
+	 */
+	async clear() {
+		this.#entries.clear();
+	}
+}
+
+module.exports = { MemoryCache };
@@ -0,0 +1,195 @@
+const blowfish = require("blowfish-js"),
+	{ createCipheriv, createDecipheriv, createHash } = require("crypto"),
+	{ Transform } = require("stream");
+
+const CBC_KEY = "g4el58wc" + "0zvf9na1",
+	CBC_IV = Buffer.from([0, 1, 2, 3, 4, 5, 6, 7]),
+	STRIPE_SIZE = 2048,
+	CBC_IV_L = CBC_IV.readInt32BE(0),
+	CBC_IV_R = CBC_IV.readInt32BE(4),
+	// Expanding a Blowfish key is costly, so it is done once per key buffer, for both implementations
+	schedules = new WeakMap(),
+	deciphers = new WeakMap(),
+	// OpenSSL 3 only has Blowfish in its legacy provider, so Node's crypto may not support it
+	hasNativeBlowfish = (() => {
+		try {
+			createDecipheriv("bf-ecb", Buffer.alloc(16), null);
+			return true;
+		} catch {
+			return false;
+		}
+	})();
+
+/**
+ * Derives the Blowfish key of a track.
+ * @param {string} sngId The track's SNG_ID
+ * @returns {Buffer} The 16-byte key
+ */
+function getTrackKey(sngId) {
+	if (typeof sngId !== "string" && typeof sngId !== "number") throw new TypeError("`sngId` must be a string or a number.");
+
+	const md5 = createHash("md5").update(String(sngId)).digest("hex");
+	return Buffer.from(Array.from({ length: 16 }, (_, i) => md5.charCodeAt(i) ^ md5.charCodeAt(i + 16) ^ CBC_KEY.charCodeAt(i)));
+}
+
+function getSchedule(key) {
+	if (!schedules.has(key)) schedules.set(key, blowfish.key(key));
+
+	return schedules.get(key);
+}
+
+// An ECB decipher without padding keeps no state between updates, so one can be reused for every chunk
+function getDecipher(key) {
+	if (!deciphers.has(key)) deciphers.set(key, createDecipheriv("bf-ecb", key, null).setAutoPadding(false));
+
+	return deciphers.get(key);
+}
+
+// Overwrites the chunk with its output, so it must be a slice the caller owns
+function cipherChunk(key, chunk, decrypt) {
+	if (!decrypt) {
+		// Encrypting only builds fixtures, so it takes the simple path
+		if (hasNativeBlowfish) createCipheriv("bf-cbc", key, CBC_IV).setAutoPadding(false).update(chunk).copy(chunk);
+		else blowfish.cbc(getSchedule(key), CBC_IV, chunk, false).copy(chunk);
+
+		return chunk;
+	}
+
+	// CBC decryption is ECB decryption of every block, XORed with the previous encrypted block, or the IV for the first one
+	if (hasNativeBlowfish) {
+		const decrypted = getDecipher(key).update(chunk);
+
+		// Going backwards leaves the previous encrypted block untouched until it has been used
+		for (let i = chunk.length - 1; i >= 8; i--) chunk[i] = decrypted[i] ^ chunk[i - 8];
+		for (let i = 0; i < 8; i++) chunk[i] = decrypted[i] ^ CBC_IV[i];
+
+		return chunk;
+	}
+
+	const schedule = getSchedule(key);
+
+	let previousL = CBC_IV_L,
+		previousR = CBC_IV_R;
+
+	for (let position = 0; position < chunk.length; position += 8) {
+		const L = chunk.readInt32BE(position),
+			R = chunk.readInt32BE(position + 4),
+			[decryptedL, decryptedR] = blowfish.decipherBlock(schedule, L, R);
+
+		chunk.writeInt32BE(decryptedL ^ previousL, position);
+		chunk.writeInt32BE(decryptedR ^ previousR, position + 4);
+
+		previousL = L;
+		previousR = R;
+	}
+
+	return chunk;
+}
+
+// Every third full stripe is encrypted, counting from the start of the file. A trailing partial stripe is never encrypted.
+// `index` is the stripe the buffer starts at. The buffer is overwritten with the output
+function cipherStripes(key, buffer, index, decrypt) {
+	for (let position = 0; position + STRIPE_SIZE <= buffer.length; position += STRIPE_SIZE, index++)
+		if (!(index % 3)) cipherChunk(key, buffer.subarray(position, position + STRIPE_SIZE), decrypt);
+
+	return buffer;
+}
+
+/**
+ * Decrypts, in place, consecutive stripes of a track file.
+ * @param {Buffer} key The key from {@link getTrackKey}
+ * @param {Buffer} buffer The stripes, which are overwritten with the output
+ * @param {number} [index = 0] The index of the first stripe in the file
+ * @returns {Buffer} The same buffer
+ */
+function decryptStripes(key, buffer, index = 0) {
+	if (!Buffer.isBuffer(key) || key.length !== 16) throw new TypeError("`key` must be a 16-byte buffer.");
+	if (!Buffer.isBuffer(buffer)) throw new TypeError("`buffer` must be a buffer.");
+	if (!Number.isSafeInteger(index) || index < 0) throw new TypeError("`index` must be a non-negative integer.");
+
+	return cipherStripes(key, buffer, index, true);
+}
+
+/**
+ * Decrypts a single encrypted stripe.
+ * @param {Buffer} key The key from {@link getTrackKey}
+ * @param {Buffer} chunk The encrypted stripe, usually 2048 bytes long
+ * @returns {Buffer} The decrypted stripe
+ */
+function decryptChunk(key, chunk) {
+	if (!Buffer.isBuffer(key) || key.length !== 16) throw new TypeError("`key` must be a 16-byte buffer.");
+	if (!Buffer.isBuffer(chunk) || chunk.length % 8) throw new TypeError("`chunk` must be a buffer with a length that is a multiple of 8.");
+
+	return cipherChunk(key, Buffer.from(chunk), true);
+}
+
+/**
+ * Decrypts a whole track file.
+ * @param {string} sngId The track's SNG_ID
+ * @param {Buffer} buffer The encrypted track file
+ * @returns {Buffer} The decrypted track file
+ */
+function decryptBuffer(sngId, buffer) {
+	if (!Buffer.isBuffer(buffer)) throw new TypeError("`buffer` must be a buffer.");
+	return cipherStripes(getTrackKey(sngId), Buffer.from(buffer), 0, true);
+}
+
+/**
+ * Encrypts a whole track file the way Deezer does, e.g. for building test fixtures.
+ * @param {string} sngId The track's SNG_ID
+ * @param {Buffer} buffer The decrypted track file
+ * @returns {Buffer} The encrypted track file
+ */
+function encryptBuffer(sngId, buffer) {
+	if (!Buffer.isBuffer(buffer)) throw new TypeError("`buffer` must be a buffer.");
+	return cipherStripes(getTrackKey(sngId), Buffer.from(buffer), 0, false);
+}
+
+/**
+ * Creates a transform stream that decrypts a track file on the fly, whatever the size of the chunks written to it.
+ * Chunks are decrypted in place, so they must not be reused after being written.
+ * @param {string} sngId The track's SNG_ID
+ * @param {Object} [options] The stream options
+ * @param {number} [options.offset = 0] The byte offset of the file the input starts at. Must be a multiple of 2048
+ * @param {number} [options.skip = 0] The number of decrypted bytes to drop before output starts
+ * @param {function(Buffer, Buffer, number): Promise.<Buffer>} [options.decrypt] Decrypts stripes elsewhere, e.g. in a worker thread, taking the same arguments as {@link decryptStripes}
+ * @returns {Transform} The decrypting stream
+ */
+function createDecryptStream(sngId, { offset = 0, skip = 0, decrypt = null } = {}) {
+	if (!Number.isSafeInteger(offset) || offset < 0 || offset % STRIPE_SIZE) throw new TypeError(`\`offset\` must be a non-negative multiple of ${STRIPE_SIZE}.`);
+	if (!Number.isSafeInteger(skip) || skip < 0) throw new TypeError("`skip` must be a non-negative integer.");
+	if (decrypt !== null && typeof decrypt !== "function") throw new TypeError("`decrypt` must be a function.");
+
+	const key = getTrackKey(sngId),
+		drop = buffer => {
+			const output = buffer.subarray(Math.min(skip, buffer.length));
+
+			skip -= buffer.length - output.length;
+			return output.length ? output : undefined;
+		};
+
+	let pending = Buffer.alloc(0),
+		index = offset / STRIPE_SIZE;
+
+	return new Transform({
+		transform(chunk, _, callback) {
+			const buffer = pending.length ? Buffer.concat([pending, chunk]) : chunk,
+				length = buffer.length - (buffer.length % STRIPE_SIZE),
+				stripes = buffer.subarray(0, length),
+				stripeIndex = index;
+
+			// Chunks written to the stream are handed over to it, so they are decrypted in place
+			pending = buffer.subarray(length);
+			index += length / STRIPE_SIZE;
+
+			if (!decrypt || !length) return callback(null, drop(cipherStripes(key, stripes, stripeIndex, true)));
+
+			decrypt(key, stripes, stripeIndex).then(output => callback(null, drop(output)), callback);
+		},
+		flush(callback) {
+			callback(null, drop(pending));
+		}
+	});
+}
+
+module.exports = { STRIPE_SIZE, getTrackKey, decryptStripes, decryptChunk, decryptBuffer, encryptBuffer, createDecryptStream };
@@ -0,0 +1,21 @@
+const { parentPort } = require("worker_threads"),
+	{ decryptStripes } = require("./crypto");
+
+// Keys arrive as fresh copies, so they are kept by value for their Blowfish key to be expanded only once
+const keys = new Map();
+
+parentPort.on("message", ({ id, key, buffer, index }) => {
+	try {
+		const hex = Buffer.from(key).toString("hex");
+
+		if (!keys.has(hex)) {
+			if (keys.size >= 64) keys.delete(keys.keys().next().value);
+			keys.set(hex, Buffer.from(key));
+		}
+
+		decryptStripes(keys.get(hex), Buffer.from(buffer), index);
+		parentPort.postMessage({ id, buffer }, [buffer]);
+	} catch (error) {
+		parentPort.postMessage({ id, error });
+	}
+});
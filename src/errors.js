@@ -0,0 +1,119 @@
+/**
+ * The base class of every error thrown by the Deezer class. Branch on `instanceof` or on the `code` property.
+ */
+class DeezerError extends Error {
+	/**
+	 * Constructs the DeezerError class.
+	 * @param {string} message The error message
+	 * @param {string} code The error code
+	 * @param {Object} [options] The error options
+	 * @param {*} [options.cause] The underlying error
+	 */
+	constructor(message, code, options) {
+		super(message, options);
+		this.name = new.target.name;
+		this.code = code;
+	}
+}
+
+/**
+ * Thrown when the session or the ARL does not allow an operation.
+ */
+class DeezerAuthError extends DeezerError {
+	/**
+	 * Constructs the DeezerAuthError class.
+	 * @param {string} message The error message
+	 */
+	constructor(message) {
+		super(message, "ERR_DEEZER_AUTH");
+	}
+}
+
+/**
+ * Thrown when the gateway API responds with a non-empty `error` object.
+ */
+class DeezerGatewayError extends DeezerError {
+	/**
+	 * Constructs the DeezerGatewayError class.
+	 * @param {string} method The Deezer API method
+	 * @param {Object} error The `error` object of the response
+	 */
+	constructor(method, error) {
+		super(`Deezer API method ${method} failed: ${Object.entries(error).map(([key, value]) => `${key}: ${value}`).join(", ")}`, "ERR_DEEZER_GATEWAY");
+		this.method = method;
+		this.error = error;
+	}
+}
+
+/**
+ * Thrown when the media API does not return an audio source URL.
+ */
+class DeezerMediaError extends DeezerError {
+	/**
+	 * Constructs the DeezerMediaError class.
+	 * @param {string} message The error message
+	 * @param {number} [mediaCode] The `code` of the first error returned by the media API
+	 * @param {Object} [options] The error options
+	 * @param {*} [options.cause] The underlying error, such as the failed media API request's
+	 */
+	constructor(message, mediaCode, options) {
+		super(message, "ERR_DEEZER_MEDIA", options);
+		this.mediaCode = mediaCode ?? null;
+	}
+}
+
+/**
+ * Thrown when a response has an unexpected status or body.
+ */
+class DeezerHTTPError extends DeezerError {
+	/**
+	 * Constructs the DeezerHTTPError class.
+	 * @param {string} message The error message
+	 * @param {number} status The HTTP status code
+	 * @param {string} body The response body
+	 * @param {Object} [options] The error options
+	 * @param {Object} [options.headers] The response headers
+	 * @param {*} [options.cause] The underlying error
+	 */
+	constructor(message, status, body, options) {
+		super(message, "ERR_DEEZER_HTTP", options);
+		this.status = status;
+		this.body = body;
+		this.headers = options?.headers ?? {};
+	}
+}
+
+/**
+ * Thrown when a request takes longer than one of its timeouts. The request is aborted and its socket destroyed.
+ */
+class DeezerTimeoutError extends DeezerError {
+	/**
+	 * Constructs the DeezerTimeoutError class.
+	 * @param {string} message The error message
+	 * @param {"connect" | "idle" | "total"} phase The timeout that elapsed
+	 * @param {number} timeout The timeout in milliseconds
+	 */
+	constructor(message, phase, timeout) {
+		super(message, "ERR_DEEZER_TIMEOUT");
+		this.phase = phase;
+		this.timeout = timeout;
+	}
+}
+
+/**
+ * Thrown when a track has no audio in the requested format.
+ */
+class TrackUnavailableError extends DeezerError {
+	/**
+	 * Constructs the TrackUnavailableError class.
+	 * @param {string} trackId The track's SNG_ID
+	 * @param {string} [format] The requested format, or nothing if no format was available
+	 */
+	constructor(trackId, format) {
+		super(`${format ? `${format} audio` : "Audio"} is unavailable for track ${trackId}.`, "ERR_TRACK_UNAVAILABLE");
+		this.trackId = trackId;
+		this.format = format ?? null;
+	}
+}
+
+module.exports = { DeezerError, DeezerAuthError, DeezerGatewayError, DeezerMediaError, DeezerHTTPError, DeezerTimeoutError, TrackUnavailableError };
@@ -1,4 +1,8 @@
 declare module "@lagandevs/deezer.js" {
+	import { Readable, Transform } from "stream";
+	import { Agent } from "http";
+	import { EventEmitter } from "events";
+
 	export type EntityType = "track" | "album" | "artist" | "playlist";
 
 	export interface Entity {
@@ -7,11 +11,307 @@ declare module "@lagandevs/deezer.js" {
 		tracks: Array<Record<string, any>>;
 	}
 
-	export default class Deezer {
-		constructor(arl?: string);
-		api(method: string, body: Record<string, any>): Promise<Record<string, any>>;
-		search(query: string, type?: EntityType): Promise<Array<Record<string, any>>>;
-		get(idOrURL: string, type?: EntityType): Promise<Entity | null>;
-		getAndDecryptTrack(track: Record<string, any>, flac?: boolean): Promise<Buffer>;
+	export interface DeezerOptions {
+		arl?: string;
+		gatewayURL?: string;
+		mediaURL?: string;
+		language?: string;
+		country?: string;
+		userAgent?: string;
+		timeout?: TimeoutOptions | number;
+		retry?: RetryOptions | false;
+		keepAlive?: boolean;
+		proxy?: string;
+		agent?: Agent | { http?: Agent; https?: Agent };
+		requestsPerSecond?: number;
+		maxConcurrentDownloads?: number;
+		mediaBatchSize?: number;
+		decryptionWorkers?: number;
+		sessionStore?: SessionStore;
+		logger?: Logger;
+		cache?: CacheOptions | boolean;
+	}
+
+	export interface CacheOptions {
+		store?: CacheStore;
+		ttl?: Record<string, number>;
+	}
+
+	export interface CacheStore {
+		get(key: string): Promise<any>;
+		set(key: string, value: any, ttl: number): Promise<void>;
+		clear?(): Promise<void>;
+	}
+
+	export class MemoryCache implements CacheStore {
+		constructor(maxEntries?: number);
+		get(key: string): Promise<any>;
+		set(key: string, value: any, ttl: number): Promise<void>;
+		clear(): Promise<void>;
+	}
+
+	export interface Logger {
+		debug?(message: string): void;
+		info?(message: string): void;
+		warn?(message: string): void;
+		error?(message: string): void;
+	}
+
+	export interface TimeoutOptions {
+		connect?: number;
+		idle?: number;
+		total?: number;
+	}
+
+	export interface RetryOptions {
+		maxAttempts?: number;
+		baseDelay?: number;
+		maxDelay?: number;
+		jitter?: number;
+		statusCodes?: number[];
+		errorCodes?: string[];
+		onRetry?: (event: RetryEvent) => void;
+	}
+
+	export interface RetryEvent {
+		attempt: number;
+		delay: number;
+		error: Error;
+		url: string;
+	}
+
+	export interface SessionState {
+		sessionID: string;
+		apiToken: string;
+		licenseToken: string | null;
+		user: User;
+		timestamp: number;
+		expiresAt: number;
+	}
+
+	export type AudioFormat = "FLAC" | "MP3_320" | "MP3_256" | "MP3_128" | "MP3_64";
+
+	export interface User {
+		id: number;
+		name: string | null;
+		offerName: string | null;
+		country: string | null;
+		explicitContent: {
+			level: string | null;
+			availableLevels: string[];
+		};
+		capabilities: {
+			canStreamHQ: boolean;
+			canStreamLossless: boolean;
+			formats: AudioFormat[];
+		};
+	}
+
+	export interface AuthStatus {
+		loggedIn: boolean;
+		expired: boolean;
+		premium: boolean;
+		offerName: string | null;
+		country: string | null;
+		user: User;
+	}
+
+	export interface SessionStore {
+		get(): Promise<SessionState | null>;
+		set(state: SessionState): Promise<void>;
+		clear?(): Promise<void>;
+	}
+
+	export class MemorySessionStore implements SessionStore {
+		get(): Promise<SessionState | null>;
+		set(state: SessionState): Promise<void>;
+		clear(): Promise<void>;
+	}
+
+	export class FileSessionStore implements SessionStore {
+		constructor(path: string);
+		get(): Promise<SessionState | null>;
+		set(state: SessionState): Promise<void>;
+		clear(): Promise<void>;
+	}
+
+	export interface TrackOptions {
+		quality?: AudioFormat[];
+		strict?: boolean;
+		flac?: boolean;
+		details?: boolean;
+		source?: MediaSource;
+		start?: number;
+		signal?: AbortSignal;
+		timeout?: TimeoutOptions | number;
+		cache?: boolean;
+		onProgress?: (progress: Progress) => void;
+	}
+
+	export interface Progress {
+		bytesReceived: number;
+		totalBytes: number | null;
+		phase: "download" | "complete";
+	}
+
+	export interface RequestOptions {
+		signal?: AbortSignal;
+		timeout?: TimeoutOptions | number;
+		cache?: boolean;
+	}
+
+	export interface SearchOptions extends RequestOptions {
+		start?: number;
+		limit?: number;
+	}
+
+	export interface GetOptions extends RequestOptions {
+		maxTracks?: number;
+	}
+
+	export interface MediaSource {
+		trackId: string;
+		usedFallback: boolean;
+		url: string | null;
+		format: AudioFormat | null;
+		extension: string | null;
+		mimeType: string | null;
+		bitrate: number | null;
+		expiresAt: number | null;
+		error: DeezerError | null;
+	}
+
+	export interface TrackInfo {
+		format: AudioFormat;
+		extension: string;
+		mimeType: string;
+		bitrate: number;
+		trackId: string;
+		usedFallback: boolean;
+	}
+
+	export interface TrackResult extends TrackInfo {
+		data: Buffer;
+		size: number;
+	}
+
+	export interface TrackStream extends Readable, TrackInfo {}
+
+	export interface DownloadResult extends TrackInfo {
+		path: string;
+		size: number;
+		resumedFrom: number;
+	}
+
+	export class DeezerError extends Error {
+		constructor(message: string, code: string, options?: { cause?: unknown });
+		code: string;
+	}
+
+	export class DeezerAuthError extends DeezerError {
+		constructor(message: string);
+		code: "ERR_DEEZER_AUTH";
+	}
+
+	export class DeezerGatewayError extends DeezerError {
+		constructor(method: string, error: Record<string, any>);
+		code: "ERR_DEEZER_GATEWAY";
+		method: string;
+		error: Record<string, any>;
+	}
+
+	export class DeezerMediaError extends DeezerError {
+		constructor(message: string, mediaCode?: number, options?: { cause?: unknown });
+		code: "ERR_DEEZER_MEDIA";
+		mediaCode: number | null;
+	}
+
+	export class DeezerHTTPError extends DeezerError {
+		constructor(message: string, status: number, body: string, options?: { headers?: Record<string, any>; cause?: unknown });
+		code: "ERR_DEEZER_HTTP";
+		status: number;
+		body: string;
+		headers: Record<string, any>;
+	}
+
+	export class DeezerTimeoutError extends DeezerError {
+		constructor(message: string, phase: "connect" | "idle" | "total", timeout: number);
+		code: "ERR_DEEZER_TIMEOUT";
+		phase: "connect" | "idle" | "total";
+		timeout: number;
+	}
+
+	export class TrackUnavailableError extends DeezerError {
+		constructor(trackId: string, format?: string);
+		code: "ERR_TRACK_UNAVAILABLE";
+		trackId: string;
+		format: string | null;
+	}
+
+	export function getTrackKey(sngId: string | number): Buffer;
+	export function decryptStripes(key: Buffer, buffer: Buffer, index?: number): Buffer;
+	export function decryptChunk(key: Buffer, chunk: Buffer): Buffer;
+	export function decryptBuffer(sngId: string | number, buffer: Buffer): Buffer;
+	export function encryptBuffer(sngId: string | number, buffer: Buffer): Buffer;
+	export function createDecryptStream(
+		sngId: string | number,
+		options?: { offset?: number; skip?: number; decrypt?: (key: Buffer, buffer: Buffer, index: number) => Promise<Buffer> }
+	): Transform;
+
+	export interface RequestEvent {
+		id: number;
+		method: string;
+		apiMethod: string | null;
+		url: string;
+	}
+
+	export interface RequestEndEvent extends RequestEvent {
+		status: number | null;
+		duration: number;
+		error: Error | null;
+	}
+
+	export interface RequestContext {
+		type: "gateway" | "media" | "download";
+		apiMethod: string | null;
+		url: URL;
+		options: { method?: string; headers: Record<string, any>; body?: string; [key: string]: any };
+		response: any;
+		startedAt: number;
+		duration: number | null;
+	}
+
+	export type Middleware = (context: RequestContext, next: () => Promise<any>) => Promise<any>;
+
+	export interface DeezerEvents {
+		"session:refresh": { forced: boolean; expiresAt: number };
+		"request:start": RequestEvent;
+		"request:end": RequestEndEvent;
+		retry: RetryEvent;
+		fallback: { trackId: string; fallbackId: string };
+		"download:progress": Progress & { trackId: string };
+		"download:complete": { trackId: string; format: AudioFormat; bytesReceived: number; totalBytes: number | null; duration: number };
+	}
+
+	export default class Deezer extends EventEmitter {
+		constructor(options?: string | DeezerOptions);
+		on<E extends keyof DeezerEvents>(event: E, listener: (event: DeezerEvents[E]) => void): this;
+		once<E extends keyof DeezerEvents>(event: E, listener: (event: DeezerEvents[E]) => void): this;
+		off<E extends keyof DeezerEvents>(event: E, listener: (event: DeezerEvents[E]) => void): this;
+		exportSession(): SessionState | null;
+		importSession(state: SessionState): void;
+		use(middleware: Middleware): this;
+		destroy(): Promise<void>;
+		checkAuth(): Promise<AuthStatus>;
+		static validateArl(arl: string, options?: DeezerOptions): Promise<AuthStatus>;
+		getUser(): Promise<User>;
+		api(method: string, body: Record<string, any>, options?: RequestOptions): Promise<Record<string, any>>;
+		search(query: string, type?: EntityType, options?: SearchOptions): Promise<Array<Record<string, any>>>;
+		get(idOrURL: string, type?: EntityType, options?: GetOptions): Promise<Entity | null>;
+		getTrackStream(track: Record<string, any>, options?: TrackOptions): Promise<TrackStream>;
+		getMediaURLs(tracks: Array<Record<string, any>>, options?: TrackOptions): Promise<Map<string, MediaSource>>;
+		getAndDecryptTrack(track: Record<string, any>, options: TrackOptions & { details: true }): Promise<TrackResult>;
+		getAndDecryptTrack(track: Record<string, any>, options?: TrackOptions | boolean): Promise<Buffer>;
+		downloadTrack(track: Record<string, any>, path: string, options?: TrackOptions): Promise<DownloadResult>;
 	}
 }
\ No newline at end of file
@@ -0,0 +1,134 @@
+const { setTimeout: sleep } = require("timers/promises");
+
+/**
+ * A token bucket that lets through at most a given number of requests per second, with bursts of up to one second's worth.
+ */
+class RateLimiter {
+	#rate;
+	#capacity;
+	#tokens;
+	#updatedAt = Date.now();
+	#queue = Promise.resolve();
+
+	/**
+	 * Constructs the RateLimiter class.
+	 * @param {number} requestsPerSecond The number of requests let through per second, or Infinity for no limit
+	 */
+	constructor(requestsPerSecond) {
+		this.#rate = requestsPerSecond / 1000;
+		this.#capacity = this.#tokens = Math.max(requestsPerSecond, 1);
+	}
+
+	/**
+	 * Waits for a token to be available and takes it.
+	 * @param {AbortSignal} [signal] Stops waiting, rejecting with the signal's reason, without taking a token
+	 * @returns {Promise.<void>}
+	 */
+	take(signal) {
+		if (signal?.aborted) return Promise.reject(signal.reason);
+		if (this.#rate === Infinity) return Promise.resolve();
+
+		// Waiters are chained so tokens are handed out in call order. An aborted waiter gives up its turn without taking a token
+		const turn = (this.#queue = this.#queue.then(async () => {
+			if (signal?.aborted) return;
+
+			this.#refill();
+
+			if (this.#tokens < 1) {
+				const aborted = await sleep(Math.ceil((1 - this.#tokens) / this.#rate), false, { signal }).catch(() => true);
+				if (aborted) return;
+
+				this.#refill();
+			}
+
+			this.#tokens--;
+		}));
+
+		return signal ? raceAbort(turn, signal) : turn;
+	}
+
+	#refill() {
+		const now = Date.now();
+
+		this.#tokens = Math.min(this.#capacity, this.#tokens + (now - this.#updatedAt) * this.#rate);
+		this.#updatedAt = now;
+	}
+}
+
+/**
+ * Limits how many operations run at the same time. Slots are handed to waiters in call order.
+ */
+class ConcurrencyLimiter {
+	#limit;
+	#active = 0;
+	#waiting = [];
+
+	/**
+	 * Constructs the ConcurrencyLimiter class.
+	 * @param {number} limit The maximum number of simultaneous operations, or Infinity for no limit
+	 */
+	constructor(limit) {
+		this.#limit = limit;
+	}
+
+	/**
+	 * Waits for a slot to be free and occupies it.
+	 * @param {AbortSignal} [signal] Stops waiting, rejecting with the signal's reason, without occupying a slot
+	 * @returns {Promise.<function(): void>} A function that frees the slot. Calling it more than once has no effect
+	 */
+	async acquire(signal) {
+		signal?.throwIfAborted();
+
+		if (this.#active < this.#limit) this.#active++;
+		else
+			await new Promise((resolve, reject) => {
+				const next = () => {
+						signal?.removeEventListener("abort", abort);
+						resolve();
+					},
+					// An aborted waiter leaves the queue, so no slot is ever passed to it
+					abort = () => {
+						this.#waiting.splice(this.#waiting.indexOf(next), 1);
+						reject(signal.reason);
+					};
+
+				this.#waiting.push(next);
+				signal?.addEventListener("abort", abort, { once: true });
+			});
+
+		let released = false;
+
+		return () => {
+			if (released) return;
+			released = true;
+
+			// The slot is passed on as is, so the active count only drops when nobody is waiting
+			const next = this.#waiting.shift();
+
+			if (next) next();
+			else this.#active--;
+		};
+	}
+}
+
+// Settles like the promise, unless the signal is aborted first
+function raceAbort(promise, signal) {
+	return new Promise((resolve, reject) => {
+		const abort = () => reject(signal.reason);
+
+		signal.addEventListener("abort", abort, { once: true });
+		promise.then(
+			value => {
+				signal.removeEventListener("abort", abort);
+				if (signal.aborted) reject(signal.reason);
+				else resolve(value);
+			},
+			error => {
+				signal.removeEventListener("abort", abort);
+				reject(error);
+			}
+		);
+	});
+}
+
+module.exports = { RateLimiter, ConcurrencyLimiter };
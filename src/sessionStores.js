@@ -0,0 +1,99 @@
+const { randomUUID } = require("crypto"),
+	{ readFile, rename, unlink, writeFile } = require("fs/promises");
+
+/**
+ * @typedef {Object} SessionStore Where sessions are persisted between instances and processes. Implement it to use another storage
+ * @property {function(): Promise.<SessionState | null>} get Reads the stored session, or null if there is none
+ * @property {function(SessionState): Promise.<void>} set Stores a session, replacing the previous one
+ * @property {function(): Promise.<void>} clear Removes the stored session
+ */
+
+/**
+ * A session store that keeps the session in memory, for sharing it between instances of the same process.
+ */
+class MemorySessionStore {
+	#state = null;
+
+	/**
+	 * Reads the stored session.
+	 * @returns {Promise.<SessionState | null>} The session, or null if there is none
+	 */
+	async get() {
+		return this.#state && { ...this.#state };
+	}
+
+	/**
+	 * Stores a session, replacing the previous one.
+	 * @param {SessionState} state The session
+	 * @returns {Promise.<void>}
+	 */
+	async set(state) {
+		this.#state = { ...state };
+	}
+
+	/**
+	 * Removes the stored session.
+	 * @returns {Promise.<void>}
+	 */
+	async clear() {
+		this.#state = null;
+	}
+}
+
+/**
+ * A session store that keeps the session in a JSON file, for sharing it between processes and invocations.
+ * The file holds the session's tokens, so it is only readable and writable by its owner.
+ */
+class FileSessionStore {
+	#path;
+
+	/**
+	 * Constructs the FileSessionStore class.
+	 * @param {string} path The path of the JSON file
+	 */
+	constructor(path) {
+		if (typeof path !== "string") throw new TypeError("`path` must be a string.");
+		this.#path = path;
+	}
+
+	/**
+	 * Reads the stored session.
+	 * @returns {Promise.<SessionState | null>} The session, or null if the file is missing or unreadable as JSON
+	 */
+	async get() {
+		try {
+			return JSON.parse(await readFile(this.#path, "utf8"));
+		} catch (error) {
+			if (error.code === "ENOENT" || error instanceof SyntaxError) return null;
+			throw error;
+		}
+	}
+
+	/**
+	 * Stores a session, replacing the previous one.
+	 * @param {SessionState} state The session
+	 * @returns {Promise.<void>}
+	 */
+	async set(state) {
+		// Writing to a temporary file first means concurrent readers never see a half-written file.
+		// Each write has its own, as instances sharing the store may write at the same time
+		const temporaryPath = `${this.#path}.${process.pid}.${randomUUID()}.tmp`;
+
+		await writeFile(temporaryPath, JSON.stringify(state), { mode: 0o600 });
+		await rename(temporaryPath, this.#path);
+	}
+
+	/**
+	 * Removes the stored session.
+	 * @returns {Promise.<void>}
+	 */
+	async clear() {
+		try {
+			await unlink(this.#path);
+		} catch (error) {
+			if (error.code !== "ENOENT") throw error;
+		}
+	}
+}
+
+module.exports = { MemorySessionStore, FileSessionStore };
@@ -0,0 +1,119 @@
+const { Worker } = require("worker_threads"),
+	{ join } = require("path");
+
+/**
+ * A pool of worker threads decrypting track stripes off the main thread. Workers are started on demand and never keep the process alive.
+ */
+class DecryptionPool {
+	#size;
+	#workers = [];
+	#idle = [];
+	#queue = [];
+	#tasks = new Map();
+	#nextID = 0;
+	#destroyed = false;
+
+	/**
+	 * Constructs the DecryptionPool class.
+	 * @param {number} size The maximum number of worker threads
+	 */
+	constructor(size) {
+		this.#size = size;
+	}
+
+	/**
+	 * Decrypts consecutive stripes of a track file in a worker thread.
+	 * The buffer's memory is transferred to the worker when the buffer spans all of it, so the buffer must not be used afterwards.
+	 * @param {Buffer} key The key from {@link getTrackKey}
+	 * @param {Buffer} buffer The stripes
+	 * @param {number} index The index of the first stripe in the file
+	 * @returns {Promise.<Buffer>} The decrypted stripes
+	 */
+	decryptStripes(key, buffer, index) {
+		// Transferring memory shared with other buffers would empty them too, so such buffers are copied first
+		const arrayBuffer =
+			buffer.byteOffset === 0 && buffer.byteLength === buffer.buffer.byteLength ? buffer.buffer : new Uint8Array(buffer).buffer;
+
+		return new Promise((resolve, reject) => {
+			if (this.#destroyed) return reject(new Error("The decryption pool was destroyed."));
+
+			const id = this.#nextID++;
+
+			this.#tasks.set(id, { resolve, reject, worker: null });
+			this.#queue.push({ id, key: new Uint8Array(key), buffer: arrayBuffer, index });
+			this.#dispatch();
+		});
+	}
+
+	/**
+	 * Terminates the worker threads. Queued and running tasks are rejected, and so are later ones.
+	 * @returns {Promise.<void>}
+	 */
+	async destroy() {
+		const error = new Error("The decryption pool was destroyed."),
+			workers = this.#workers;
+
+		this.#destroyed = true;
+		this.#workers = [];
+		this.#idle = [];
+		this.#queue = [];
+
+		for (const task of this.#tasks.values()) task.reject(error);
+		this.#tasks.clear();
+
+		await Promise.all(workers.map(worker => worker.terminate()));
+	}
+
+	#dispatch() {
+		while (this.#queue.length) {
+			if (!this.#idle.length && this.#workers.length < this.#size) this.#idle.push(this.#spawn());
+
+			const worker = this.#idle.pop();
+			if (!worker) return;
+
+			const message = this.#queue.shift();
+
+			this.#tasks.get(message.id).worker = worker;
+			worker.postMessage(message, [message.buffer]);
+		}
+	}
+
+	#spawn() {
+		const worker = new Worker(join(__dirname, "decryptWorker.js"));
+
+		worker
+			.on("message", ({ id, buffer, error }) => {
+				const task = this.#tasks.get(id);
+
+				this.#tasks.delete(id);
+				this.#idle.push(worker);
+
+				if (error) task.reject(error);
+				else task.resolve(Buffer.from(buffer));
+
+				this.#dispatch();
+			})
+			.on("error", error => this.#remove(worker, error))
+			.on("exit", code => this.#remove(worker, new Error(`A decryption worker exited with code ${code}.`)))
+			.unref();
+
+		this.#workers.push(worker);
+		return worker;
+	}
+
+	// A dead worker fails its task and leaves the pool, so the next task starts a replacement
+	#remove(worker, error) {
+		this.#workers = this.#workers.filter(e => e !== worker);
+		this.#idle = this.#idle.filter(e => e !== worker);
+
+		for (const [id, task] of this.#tasks)
+			if (task.worker === worker) {
+				this.#tasks.delete(id);
+				task.reject(error);
+			}
+
+		this.#dispatch();
+	}
+}
+
+module.exports = { DecryptionPool };